@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./helpers');
+
+const { judge } = loadFixture('single-turn');
+
+test('reworded sentences with the same facts are shared', () => {
+    const { stats } = judge.diffResponses(
+        'Paris is the capital of France. It has about 2 million people.',
+        'The capital of France is Paris. It has roughly 2 million people.'
+    );
+    assert.deepEqual(stats, { shared: 2, onlyA: 0, onlyB: 0 });
+});
+
+test('sentences with different numbers, dates or names are differences', () => {
+    const { stats } = judge.diffResponses(
+        'Eiffel Tower is 330 meters tall. It was built in 1889. It was designed by Gustave Eiffel.',
+        'The Eiffel Tower is 300 meters tall. It was built in 1925. It was designed by Stephen Sauvestre.'
+    );
+    assert.deepEqual(stats, { shared: 0, onlyA: 3, onlyB: 3 });
+});
+
+test('the digest is appended to custom templates without a differences placeholder', () => {
+    const prompt = judge.generateJudgePrompt(
+        ['How tall is the Eiffel Tower?'],
+        'It is 330 meters tall.',
+        'It is 300 meters tall.',
+        'model-a',
+        'model-b',
+        0,
+        null,
+        null,
+        { differences: true, structured: true, template: 'Compare {{responseA}} and {{responseB}}' }
+    );
+    assert.match(prompt, /^Compare It is 330 meters tall\. and It is 300 meters tall\.\n\n## Key Differences/);
+    assert.ok(prompt.indexOf('## Key Differences') < prompt.indexOf('## Required Output Format'));
+});
+
+test('enabled sections are appended to custom templates without their placeholders', async () => {
+    const { judge: page, document } = loadFixture('citations', { settings: { includeSources: true } });
+    const turns = page.findAllTurns(document);
+    const battle = await page.extractBattle(turns, document);
+    const template = 'Compare {{modelA}} vs {{modelB}}\n{{prompt}}\n{{responseA}}\n{{responseB}}';
+
+    const { prompt } = page.buildJudgePrompt(battle, 0, { template });
+    assert.match(prompt, /\n\n## Sources\n/);
+    assert.equal(page.buildJudgePrompt(battle, 0, { template: `${template}\n{{sources}}` }).prompt.match(/## Sources/g).length, 1);
+});
+
+test('reasoning traces are appended to custom templates without a reasoning placeholder', async () => {
+    const { judge: page, document } = loadFixture('thinking', { settings: { includeReasoning: true, structuredVerdict: true } });
+    const turns = page.findAllTurns(document);
+    const battle = await page.extractBattle(turns, document);
+
+    const { prompt } = page.buildJudgePrompt(battle, 0, { template: 'Compare {{responseA}} and {{responseB}}' });
+    assert.ok(prompt.includes('\n\n## Reasoning Traces'));
+    assert.ok(prompt.indexOf('## Reasoning Traces') < prompt.indexOf('## Required Output Format'));
+});
+
+test('execution results are appended to custom templates without an execution placeholder', () => {
+    const execution = { blocks: 1, tests: [], output: '55', error: null, timedOut: false, durationMs: 3 };
+    const turn = { type: 'complete', responseA: 'a', responseB: 'b', executionA: execution, executionB: null };
+    const prompt = judge.generateJudgePrompt(['Write fib.'], 'a', 'b', 'model-a', 'model-b', 0, [turn], null,
+        { structured: true, template: 'Compare {{responseA}} and {{responseB}}' });
+    assert.ok(prompt.includes('\n\n## Execution Results'));
+    assert.ok(prompt.indexOf('## Execution Results') < prompt.indexOf('## Required Output Format'));
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./helpers');
+
+function fixtureTurns(name, options) {
+    const { judge, document } = loadFixture(name, options);
+    const turns = judge.findAllTurns(document);
+    return { judge, document, turns, data: judge.collectTurnsData(turns) };
+}
+
+test('single-turn battle: one complete turn with both models and Markdown text', () => {
+    const { judge, document, turns, data } = fixtureTurns('single-turn');
+    assert.deepEqual(turns.map(t => t.type), ['complete']);
+    assert.equal(judge.extractModelName(turns[0].colA), 'gpt-4o');
+    assert.equal(judge.extractModelName(turns[0].colB), 'claude-3.5-sonnet');
+    assert.deepEqual(judge.extractUserPrompts(document), ['Why is the sky blue?']);
+    assert.equal(turns[0].promptLink, 'position');
+    assert.match(data[0].responseA, /^The sky looks blue because of \*\*Rayleigh scattering\*\*\./);
+    assert.match(data[0].responseA, /\n- Blue light \(about 450 nm\)/);
+    assert.doesNotMatch(data[0].responseA, /gpt-4o/);
+});
+
+test('multi-turn battle: turns are chronological and each is linked to its prompt', () => {
+    const { judge, turns, data } = fixtureTurns('multi-turn');
+    assert.deepEqual(turns.map(t => t.type), ['complete', 'complete']);
+    assert.deepEqual(turns.map(t => t.prompt), ['Write a recursive factorial function in Python.', 'Now make it iterative.']);
+    assert.deepEqual(turns.map(t => judge.extractModelName(t.colA)), ['gemini-2.5-pro', 'gemini-2.5-pro']);
+    assert.deepEqual(turns.map(t => judge.extractModelName(t.colB)), ['llama-3.1-405b-instruct', 'llama-3.1-405b-instruct']);
+    assert.match(data[1].responseB, /```python\ndef factorial\(n\):\n    if n < 0:/);
+    assert.ok(turns.every(t => t.responseVariant === null && t.earlierVariants.length === 0));
+});
+
+test('short prompts: a one-word reply starts its own turn instead of regenerating the one before', () => {
+    const { judge, document } = loadFixture('short-prompt');
+    let turns = judge.findAllTurns(document);
+    assert.deepEqual(turns.map(t => t.prompt), ['What is the capital of France?', 'ok']);
+    assert.ok(turns.every(t => t.promptLink === 'position' && t.responseVariant === null && t.earlierVariants.length === 0));
+
+    // A prompt that cannot be read leaves its turn without one rather than merging it into the turn before
+    const [okBubble, capitalBubble] = document.querySelectorAll('.bg-surface-secondary');
+    okBubble.remove();
+    turns = judge.findAllTurns(document);
+    assert.deepEqual(turns.map(t => t.prompt), ['What is the capital of France?', null]);
+    assert.ok(turns.every(t => t.earlierVariants.length === 0));
+
+    // With the site's variant counter, both containers are versions of the same answer
+    const counter = document.createElement('span');
+    counter.textContent = '2 / 2';
+    document.querySelector('.turn .flex-1').append(counter);
+    turns = judge.findAllTurns(document);
+    assert.equal(turns.length, 1);
+    assert.equal(turns[0].promptElement, capitalBubble);
+    assert.deepEqual(turns[0].responseVariant, { index: 2, count: 2 });
+    assert.equal(turns[0].earlierVariants.length, 1);
+});
+
+test('voted battle: the voted turn keeps one response and records the vote', () => {
+    const { judge, turns, data } = fixtureTurns('voted');
+    assert.deepEqual(turns.map(t => t.type), ['voted', 'complete']);
+    assert.equal(judge.extractModelName(turns[0].colA), 'mistral-large-2407');
+    assert.equal(turns[0].colB, null);
+    assert.equal(data[0].modelB, '[HIDDEN]');
+    assert.deepEqual(data[0].vote, { winner: 'A', model: 'mistral-large-2407' });
+    assert.equal(data[1].vote, null);
+});
+
+test('incomplete battle: the streaming turn is incomplete and anonymous labels stay anonymous', () => {
+    const { judge, document, turns, data } = fixtureTurns('incomplete');
+    assert.deepEqual(turns.map(t => t.type), ['complete', 'incomplete']);
+    assert.deepEqual(data.map(t => [t.modelA, t.modelB]), [['Model A', 'Model B'], ['Model A', '[HIDDEN]']]);
+    assert.deepEqual(judge.extractUserPrompts(document), ['Give me an example of a haiku.', 'Can you give me a second example?']);
+    assert.equal(data[0].responseA.split('\n')[0], 'An old silent pond');
+});
+
+test('citation-heavy battle: citations are inlined, de-duplicated and checked', () => {
+    const { data } = fixtureTurns('citations');
+    const [turn] = data;
+    assert.match(turn.responseA, /French Guiana \(https:\/\/www\.nasa\.gov\/mission\/webb\/\?utm_source=arena\)\./);
+    assert.doesNotMatch(turn.responseA, /Sources/);
+
+    const nasa = turn.citationsA.find(source => source.domain === 'nasa.gov');
+    assert.equal(nasa.url, 'https://www.nasa.gov/mission/webb');
+    assert.equal(nasa.cited, 2);
+    // Neighbouring numbered markers ("2022 [2] [3].") are not part of the supported sentence
+    assert.ok(nasa.sentences.includes('It reached its orbit around the Sun–Earth L2 point in January 2022.'));
+    assert.ok(turn.citationsA.some(source => source.domain === 'esa.int' && source.cited === 0));
+    assert.equal(turn.citationsB.find(source => source.domain === 'vertexaisearch.cloud.google.com').warning,
+        'opaque redirect (the real source is hidden)');
+});
+
+test('thinking-block battle: thinking is stripped from responses and kept as reasoning traces', () => {
+    const { judge, turns, data } = fixtureTurns('thinking');
+    const [turn] = data;
+    assert.equal(judge.extractModelName(turns[0].colA), 'deepseek-r1');
+    assert.equal(judge.extractModelName(turns[0].colB), 'o3-mini');
+    assert.equal(turn.responseA, 'No. 221 = 13 × 17, so it is composite.');
+    assert.equal(turn.responseB, '221 is not prime: it factors as 13 × 17.');
+    assert.deepEqual({ ...turn.reasoningA, text: undefined }, { text: undefined, label: 'Thought for 12 seconds', durationSeconds: 12, chars: 71, words: 19 });
+    assert.match(turn.reasoningA.text, /^Check small primes up to √221/);
+    assert.equal(turn.reasoningB.label, 'Thought for 1m 5s');
+    assert.equal(turn.reasoningB.durationSeconds, 65);
+});
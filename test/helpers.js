@@ -0,0 +1,61 @@
+// Loads lmarena-judge.js against a saved battle page in jsdom, the way Tampermonkey would on the site.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const SCRIPT = path.join(__dirname, '..', 'lmarena-judge.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const BLOCK_TAGS = /^(ADDRESS|ARTICLE|ASIDE|BLOCKQUOTE|DETAILS|DIV|DL|DD|DT|FIGCAPTION|FIGURE|FOOTER|FORM|H[1-6]|HEADER|HR|LI|MAIN|NAV|OL|P|PRE|SECTION|SUMMARY|TABLE|TR|UL)$/;
+
+/** jsdom has no layout and so no innerText: approximate it with block elements as line breaks */
+function innerText(node) {
+    if (node.nodeType === 3) return node.nodeValue;
+    if (node.nodeType !== 1 || /^(SCRIPT|STYLE|TEMPLATE)$/.test(node.tagName)) return '';
+    if (node.tagName === 'BR') return '\n';
+    const text = Array.from(node.childNodes).map(innerText).join('');
+    return BLOCK_TAGS.test(node.tagName) ? `\n${text}\n` : text;
+}
+
+/**
+ * Fresh copy of the script bound to a fixture page: { judge, window, document }.
+ * settings are stored before the script loads, as if saved in the settings panel.
+ */
+function loadFixture(name, { url = 'https://lmarena.ai/c/fixture', settings } = {}) {
+    const html = fs.readFileSync(path.join(FIXTURES, `${name}.html`), 'utf8');
+    const dom = new JSDOM(html, { url, pretendToBeVisual: true });
+    const { window } = dom;
+
+    Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+        configurable: true,
+        get() {
+            return innerText(this).replace(/[ \t]*\n[ \t]*/g, '\n').replace(/\n{2,}/g, '\n').replace(/^\n|\n$/g, '');
+        }
+    });
+    if (settings) window.localStorage.setItem('lmarena-judge-settings', JSON.stringify(settings));
+
+    global.window = window;
+    global.document = window.document;
+    global.localStorage = window.localStorage;
+
+    delete require.cache[require.resolve(SCRIPT)];
+    const judge = require(SCRIPT);
+    return { judge, window, document: window.document };
+}
+
+/** The prompt footer carries the script version and today's date */
+function normalizeFooter(text) {
+    return text.replace(/ v\d+(?:\.\d+)+ on \d{4}-\d{2}-\d{2}_$/m, ' v<version> on <date>_');
+}
+
+/** Compare with test/fixtures/expected/<file>; UPDATE_EXPECTED=1 rewrites the file instead */
+function expectedOutput(file, actual) {
+    const expectedPath = path.join(FIXTURES, 'expected', file);
+    if (process.env.UPDATE_EXPECTED) {
+        fs.mkdirSync(path.dirname(expectedPath), { recursive: true });
+        fs.writeFileSync(expectedPath, actual);
+    }
+    return fs.readFileSync(expectedPath, 'utf8');
+}
+
+module.exports = { loadFixture, normalizeFooter, expectedOutput };
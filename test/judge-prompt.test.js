@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, normalizeFooter, expectedOutput } = require('./helpers');
+
+/** Judge prompt for the last complete turn of a fixture, as the Judge button builds it */
+async function judgePrompt(name, settings) {
+    const { judge, document } = loadFixture(name, { settings });
+    const turns = judge.findAllTurns(document);
+    const battle = await judge.extractBattle(turns, document);
+    const turnIndex = turns.filter(judge.isJudgeable).pop().chronIndex;
+    return normalizeFooter(judge.generateJudgePromptFromBattle(battle, turnIndex));
+}
+
+// Regenerate the expected prompts after an intended change with: UPDATE_EXPECTED=1 npm test
+for (const name of ['single-turn', 'multi-turn', 'voted', 'incomplete', 'citations', 'thinking']) {
+    test(`judge prompt for the ${name} battle`, async () => {
+        const prompt = await judgePrompt(name);
+        assert.equal(prompt, expectedOutput(`${name}.md`, prompt));
+    });
+}
+
+test('judge prompt with the Sources section', async () => {
+    const prompt = await judgePrompt('citations', { includeSources: true });
+    assert.equal(prompt, expectedOutput('citations-sources.md', prompt));
+});
+
+test('judge prompt with structured verdicts and reasoning traces', async () => {
+    const prompt = await judgePrompt('thinking', { structuredVerdict: true, includeReasoning: true });
+    assert.equal(prompt, expectedOutput('thinking-structured-reasoning.md', prompt));
+});
+
+test('anonymised judge prompt hides the model names', async () => {
+    const prompt = await judgePrompt('multi-turn', { anonymizeModels: true });
+    assert.doesNotMatch(prompt, /gemini|llama/i);
+    assert.match(prompt, /## Model Response from Model 1\n/);
+    assert.match(prompt, /## Model Response from Model 2\n/);
+});
+
+test('buildJudgePrompt returns the label mapping, turn and template of its own prompt', async () => {
+    const { judge, document } = loadFixture('multi-turn', { settings: { anonymizeModels: true } });
+    const turns = judge.findAllTurns(document);
+    const battle = await judge.extractBattle(turns, document);
+    const turnIndex = turns.filter(judge.isJudgeable).pop().chronIndex;
+    const { modelA, modelB } = battle.turns[turnIndex];
+
+    const built = judge.buildJudgePrompt(battle, turnIndex);
+    assert.deepEqual(Object.values(built.mapping).sort(), [modelA, modelB].sort());
+    assert.equal(judge.buildJudgePrompt(battle, turnIndex, { anonymize: false }).mapping, null);
+    assert.equal(built.prompt, judge.generateJudgePromptFromBattle(battle, turnIndex));
+    assert.equal(built.stats.turnIndex, turnIndex);
+    assert.equal(built.category, 'default');
+});
+
+test('the size estimate matches the prompt the Judge button copies', async () => {
+    const { judge, document } = loadFixture('multi-turn', { settings: { tokenBudget: 100 } });
+    const turns = judge.findAllTurns(document);
+    const turn = turns.filter(judge.isJudgeable).pop();
+    const battle = await judge.extractBattle(turns, document);
+
+    const estimate = judge.estimateJudgePrompt(turn, turns);
+    const { stats } = judge.buildJudgePrompt(battle, turn.chronIndex);
+    assert.equal(estimate.tokens, stats.tokens);
+    assert.equal(estimate.overBudget, true);
+});
+
+test('estimating the size does not freeze the response text the Judge button reads', async () => {
+    const { judge, document } = loadFixture('single-turn');
+    const turns = judge.findAllTurns(document);
+    judge.estimateJudgePrompt(turns[0], turns);
+
+    const more = document.createElement('p');
+    more.textContent = 'It is also why sunsets look red.';
+    turns[0].colA.querySelector('.prose').append(more);
+    const battle = await judge.extractBattle(judge.findAllTurns(document), document);
+    assert.match(battle.turns[0].responseA, /It is also why sunsets look red\.$/);
+
+    // No estimate (and no diff) while a response is still streaming
+    const spinner = document.createElement('span');
+    spinner.className = 'spinner';
+    turns[0].colB.append(spinner);
+    assert.equal(judge.estimateJudgePrompt(turns[0], turns), null);
+});
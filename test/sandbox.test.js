@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const { Worker } = require('node:worker_threads');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./helpers');
+
+const { judge } = loadFixture('single-turn');
+
+test('dynamic import() calls are detected', () => {
+    for (const code of [
+        "import('https://example.com/x.js')",
+        'const load = () => import ("./mod.js");',
+        "const s = 'it\\'s'; import(s);",
+        'const re = /\'/; import(url); const t = "\'";',
+        'const html = `${import("x")}`;'
+    ]) {
+        assert.equal(judge.usesDynamicImport(code), true, code);
+    }
+});
+
+test('import( mentioned in comments and strings is allowed', () => {
+    for (const code of [
+        "// call import('x') to load it lazily\nconsole.log(1);",
+        '/* import("x") */ const a = 1;',
+        "console.log(\"use import('x') for lazy loading\");",
+        "const tip = 'import(path) returns a promise';",
+        'const ratio = a / b; // import(x)',
+        'obj.import(1);'
+    ]) {
+        assert.equal(judge.usesDynamicImport(code), false, code);
+    }
+});
+
+test('execution results state the time and memory limits', () => {
+    const execution = { blocks: 1, tests: [], output: '1', error: null, timedOut: false, durationMs: 3 };
+    assert.match(judge.buildExecutionSection(execution, null, 'model-a', null, true),
+        /5 s time limit, 256 MB limit on buffers, strings and filled arrays/);
+    assert.match(judge.buildExecutionSection({ ...execution, memoryExceeded: true }, null, 'model-a', null, true),
+        /killed at the memory limit/);
+});
+
+/** Run the sandbox worker body in a Node worker thread, standing in for the browser's Web Worker */
+function runWorker(code, tests = []) {
+    const boot = `const { parentPort } = require('worker_threads');
+        globalThis.self = globalThis;
+        self.postMessage = message => parentPort.postMessage(message);
+        parentPort.on('message', data => self.onmessage({ data }));
+        (${judge.sandboxWorkerMain.toString()})();`;
+    const worker = new Worker(boot, { eval: true });
+    return new Promise((resolve, reject) => {
+        worker.once('message', result => worker.terminate().then(() => resolve(result)));
+        worker.once('error', reject);
+        worker.postMessage({ code, tests, dynamicImport: false, settleMs: 10, maxOutput: 2000, memoryLimit: 64 * 1048576 });
+    });
+}
+
+test('the sandbox stops code that allocates past the memory limit', async () => {
+    const kept = await runWorker('const keep = []; for (let i = 0; i < 100; i++) { keep.push(new Float64Array(1048576)); console.log(i); }');
+    assert.equal(kept.memoryExceeded, true);
+    // Eight 8 MB buffers fit in the 64 MB limit; the ninth is refused
+    assert.match(kept.output, /^0\n1\n.*\n7$/s);
+
+    const caught = await runWorker("try { 'x'.repeat(1e8); } catch (err) { console.log('caught'); }", ['true']);
+    assert.equal(caught.memoryExceeded, true);
+    assert.deepEqual(caught.tests, [{ test: 'true', pass: false, error: 'not run: memory limit' }]);
+});
+
+test('typed arrays and small scratch buffers still work in the sandbox', async () => {
+    const result = await runWorker(
+        'const a = new Uint8Array([1, 2, 3]); for (let i = 0; i < 1e5; i++) new Float64Array(16);',
+        ['a.map(x => x * 2).join() === "2,4,6"', 'a instanceof Uint8Array && a.constructor === Uint8Array', 'Array.from({ length: 3 }).length === 3']
+    );
+    assert.equal(result.error, null);
+    assert.ok(result.tests.every(test => test.pass), JSON.stringify(result.tests));
+});
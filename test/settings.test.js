@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./helpers');
+
+const STORAGE_KEY = 'lmarena-judge-settings';
+
+test('API keys stay in memory and never reach localStorage', () => {
+    const { judge, window } = loadFixture('single-turn');
+    judge.saveSettings({
+        endpointUrl: 'http://localhost:11434/v1/chat/completions',
+        endpointApiKey: 'sk-main',
+        panelJudges: 'gpt-4o | https://api.openai.com/v1/chat/completions | gpt-4o | sk-panel\nllama | | llama3.1'
+    });
+
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    assert.doesNotMatch(stored, /sk-main|sk-panel/);
+    assert.equal(JSON.parse(stored).endpointUrl, 'http://localhost:11434/v1/chat/completions');
+
+    const settings = judge.loadSettings();
+    assert.equal(settings.endpointApiKey, 'sk-main');
+    assert.match(settings.panelJudges, /gpt-4o \| https:\/\/api\.openai\.com\/v1\/chat\/completions \| gpt-4o \| sk-panel/);
+});
+
+test('keys saved by older versions move out of localStorage', () => {
+    const { judge, window } = loadFixture('single-turn', {
+        settings: {
+            endpointApiKey: 'sk-old',
+            panelJudges: 'gpt-4o | https://api.openai.com/v1/chat/completions | gpt-4o | sk-old-panel'
+        }
+    });
+
+    const settings = judge.loadSettings();
+    assert.equal(settings.endpointApiKey, 'sk-old');
+    assert.match(settings.panelJudges, /\| sk-old-panel$/);
+    assert.doesNotMatch(window.localStorage.getItem(STORAGE_KEY), /sk-old/);
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./helpers');
+
+const { judge } = loadFixture('single-turn');
+
+function reply(overrides) {
+    const scores = { correctness: 4, reasoning: 4, completeness: 4, style: 4 };
+    return '```json\n' + JSON.stringify({
+        winner: 'A',
+        scores: { A: { ...scores }, B: { ...scores } },
+        confidence: 0.8,
+        factualErrors: { A: [], B: [] },
+        ...overrides
+    }) + '\n```';
+}
+
+test('a well-formed verdict parses without errors', () => {
+    const { verdict, errors } = judge.parseVerdict(reply({}));
+    assert.deepEqual(errors, []);
+    assert.equal(verdict.winner, 'A');
+    assert.equal(verdict.confidence, 0.8);
+});
+
+test('null confidence is a validation error, not 0', () => {
+    for (const confidence of [null, '', true]) {
+        const { verdict, errors } = judge.parseVerdict(reply({ confidence }));
+        assert.equal(verdict.confidence, null, JSON.stringify(confidence));
+        assert.match(errors.join('\n'), /confidence/i);
+    }
+});
+
+test('fractional and null scores are validation errors', () => {
+    const scores = { correctness: 4.5, reasoning: null, completeness: '3', style: 5 };
+    const { verdict, errors } = judge.parseVerdict(reply({ scores: { A: scores, B: scores } }));
+    assert.equal(verdict.scores.A.correctness, null);
+    assert.equal(verdict.scores.A.reasoning, null);
+    assert.equal(verdict.scores.A.completeness, 3);
+    assert.match(errors.join('\n'), /correctness score for A must be a whole number from 1 to 5 \(got 4\.5\)/);
+    assert.match(errors.join('\n'), /Missing reasoning score for A/);
+});